@@ -6,6 +6,8 @@ const express = require('express');
 const compress = require('compression')();
 const cors = require('cors');
 const config = require('../config/config.js');
+const createSink = require('./sink.js');
+const Auth = require('../lib/auth');
 const Lib = require('../');
 
 const app = express();
@@ -17,8 +19,21 @@ bole.output({
     stream: process.stdout,
 });
 
+// Set up authentication of write requests, if any clients are configured
+const authClients = config.get('authClients');
+const auth = Object.keys(authClients).length
+    ? new Auth({
+          clients: authClients,
+          maxClockSkew: config.get('authMaxClockSkew'),
+      })
+    : null;
+
+if (!auth) {
+    log.warn('no clients configured - publishing is open to anyone');
+}
+
 // Set up the library this app exposes
-const lib = new Lib();
+const lib = new Lib(createSink(config), { auth });
 lib.on('request start', (id, method, path) => {
     log.info('request start', id, method, path);
 });
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const bole = require('bole');
+const config = require('../config/config.js');
+const createSink = require('./sink.js');
+const GarbageCollector = require('../lib/garbage-collector');
+
+const log = bole('gc');
+const dryRun = process.argv.includes('--dry-run');
+
+// Log to stderr, the report goes to stdout
+bole.output({
+    level: config.get('logLevel'),
+    stream: process.stderr,
+});
+
+const print = (label, files) => {
+    files.forEach(file => process.stdout.write(`${label} ${file}\n`));
+};
+
+const run = async () => {
+    if (config.get('sinkType') === 'mem') {
+        throw new Error(
+            'garbage collection requires a persistent sink, "SINK_TYPE" is set to "mem"',
+        );
+    }
+
+    const gc = new GarbageCollector({
+        sink: createSink(config),
+        logger: log,
+        generations: config.get('gcGenerations'),
+    });
+
+    const report = await gc.collect({ dryRun });
+
+    if (dryRun) {
+        process.stdout.write('dry run - no files were removed\n');
+    }
+    print('live', report.live);
+    print('retained', report.retained);
+    print(dryRun ? 'would remove' : 'removed', report.removed);
+    print('pending', report.pending);
+};
+
+run().catch(error => {
+    log.error(error, 'garbage collection failed');
+    process.exitCode = 1;
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+const { resolve } = require('path');
+const fs = require('fs');
+const bole = require('bole');
+const { SinkMem, SinkFs } = require('../lib/sinks');
+
+const log = bole('sink');
+
+// Set up the sink the library persists to
+module.exports = config => {
+    const type = config.get('sinkType');
+
+    if (type === 'mem') {
+        log.warn(
+            'using memory sink - all published assets are lost on restart',
+        );
+        return new SinkMem();
+    }
+
+    if (type === 'fs') {
+        const root = resolve(config.get('sinkPath'));
+        fs.mkdirSync(root, { recursive: true });
+        log.info(`using file system sink persisting to ${root}`);
+        return new SinkFs({ path: root });
+    }
+
+    // Anything else is treated as a sink module, either a package name or a
+    // path relative to the current working directory
+    const modulePath = type.startsWith('.') ? resolve(type) : type;
+    const Sink = require(modulePath); // eslint-disable-line global-require, import/no-dynamic-require
+    const sink = new Sink(config.get('sinkOptions'));
+
+    ['get', 'set', 'has', 'dir', 'reader', 'writer'].forEach(method => {
+        if (typeof sink[method] !== 'function') {
+            throw new Error(
+                `Sink module "${type}" does not implement the "${method}" method`,
+            );
+        }
+    });
+
+    log.info(`using sink module ${type}`);
+    return sink;
+};
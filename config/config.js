@@ -2,6 +2,7 @@
 
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 const convict = require('convict');
 const pckage = require('../package.json');
 
@@ -41,6 +42,55 @@ const conf = convict({
         default: 'debug',
         env: 'LOG_LEVEL',
     },
+
+    sinkType: {
+        doc:
+            'Which sink to persist feeds and bundles to. Either "mem", "fs" or a path to a sink module',
+        format: String,
+        default: 'mem',
+        env: 'SINK_TYPE',
+        arg: 'sink-type',
+    },
+
+    sinkPath: {
+        doc: 'Root directory the "fs" sink should persist files to',
+        format: String,
+        default: path.resolve(os.tmpdir(), 'asset-pipe'),
+        env: 'SINK_PATH',
+        arg: 'sink-path',
+    },
+
+    sinkOptions: {
+        doc: 'Options, as a JSON object, passed on to a custom sink module',
+        format: Object,
+        default: {},
+        env: 'SINK_OPTIONS',
+    },
+
+    authClients: {
+        doc:
+            'Clients allowed to publish, as a JSON object keyed by client id. Eg. {"team-a": {"key": "...", "secret": "...", "tags": ["team-a-*"]}}. Publishing is open to anyone when empty',
+        format: Object,
+        default: {},
+        env: 'AUTH_CLIENTS',
+    },
+
+    authMaxClockSkew: {
+        doc:
+            'How old, in milliseconds, the timestamp of a HMAC signed request may be',
+        format: 'nat',
+        default: 300000,
+        env: 'AUTH_MAX_CLOCK_SKEW',
+    },
+
+    gcGenerations: {
+        doc:
+            'How many previous garbage collection runs to keep referenced feeds and bundles from',
+        format: 'nat',
+        default: 2,
+        env: 'GC_GENERATIONS',
+        arg: 'generations',
+    },
 });
 
 // Load config files
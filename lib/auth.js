@@ -0,0 +1,111 @@
+'use strict';
+
+const crypto = require('crypto');
+const Boom = require('boom');
+
+const digest = value =>
+    crypto
+        .createHash('sha256')
+        .update(String(value))
+        .digest();
+
+// Compare digests rather than the values themselves since timingSafeEqual
+// requires buffers of equal length
+const safeEqual = (a, b) => crypto.timingSafeEqual(digest(a), digest(b));
+
+const toRegExp = pattern =>
+    new RegExp(
+        `^${pattern
+            .split('*')
+            .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*')}$`,
+    );
+
+/*
+    Authenticates clients by either an API key or a HMAC signature and restricts
+    which tags each client may publish to.
+
+    Clients are given as an object keyed by client id:
+
+    {
+        'team-a': { key: 'api key', secret: 'hmac secret', tags: ['team-a-*'] }
+    }
+
+    API keys are sent as "Authorization: Bearer <key>". HMAC signed requests are
+    sent as "Authorization: HMAC <client id>:<signature>" along with a
+    "X-Asset-Pipe-Timestamp" header (ms since epoch), where signature is the hex
+    encoded sha256 HMAC of "<timestamp>\n<method>\n<path and query>".
+*/
+module.exports = class Auth {
+    constructor({ clients = {}, maxClockSkew = 5 * 60 * 1000 } = {}) {
+        this.clients = Object.keys(clients).map(id => ({
+            id,
+            key: clients[id].key,
+            secret: clients[id].secret,
+            tags: (clients[id].tags || []).map(toRegExp),
+        }));
+        this.maxClockSkew = maxClockSkew;
+    }
+
+    static sign(secret, timestamp, method, url) {
+        return crypto
+            .createHmac('sha256', secret)
+            .update(`${timestamp}\n${method.toUpperCase()}\n${url}`)
+            .digest('hex');
+    }
+
+    authenticateKey(key) {
+        return this.clients.find(
+            client => client.key && safeEqual(client.key, key),
+        );
+    }
+
+    authenticateSignature(credentials, req) {
+        const [id, signature = ''] = credentials.split(':');
+        const client = this.clients.find(c => c.id === id && c.secret);
+        const timestamp = Number(req.headers['x-asset-pipe-timestamp']);
+
+        if (!client || Number.isNaN(timestamp)) {
+            return undefined;
+        }
+
+        if (Math.abs(Date.now() - timestamp) > this.maxClockSkew) {
+            throw Boom.unauthorized(
+                'Request signature has expired. Check the "X-Asset-Pipe-Timestamp" header and the clock of the client.',
+            );
+        }
+
+        const expected = Auth.sign(
+            client.secret,
+            timestamp,
+            req.method,
+            req.originalUrl,
+        );
+        return safeEqual(expected, signature) ? client : undefined;
+    }
+
+    async authenticate(req) {
+        const [scheme, credentials = ''] = (
+            req.headers.authorization || ''
+        ).split(' ');
+
+        let client;
+        if (scheme === 'Bearer') {
+            client = this.authenticateKey(credentials);
+        } else if (scheme === 'HMAC') {
+            client = this.authenticateSignature(credentials, req);
+        }
+
+        if (!client) {
+            throw Boom.unauthorized(
+                'Missing or invalid credentials. Expected an "Authorization" header with either a "Bearer" API key or a "HMAC" signature.',
+            );
+        }
+
+        return client;
+    }
+
+    authorize(client, tag) {
+        return client.tags.some(pattern => pattern.test(tag));
+    }
+};
@@ -0,0 +1,137 @@
+'use strict';
+
+const assert = require('assert');
+const abslog = require('abslog');
+const { hashArray } = require('@asset-pipe/common');
+const Storage = require('./storage');
+const MetaStorage = require('./meta-storage');
+
+const TYPES = ['js', 'css'];
+const GENERATIONS_KEY = '/gc/generations.json';
+
+/*
+    Feeds and bundles are content addressed and never overwritten, so the only way to
+    know if one is still in use is to work out everything tags, instructions and meta
+    data currently point at (the live set) and treat everything else as garbage.
+
+    Each non dry run records a generation (the live set and the files seen) so that:
+      - files referenced by any of the previous `generations` are kept around, giving
+        consumers still pointing at an older bundle time to move on.
+      - files first seen in this run are never removed, since they may belong to a
+        publish which has not yet updated its tag.
+*/
+module.exports = class GarbageCollector {
+    constructor({ sink, logger, generations = 2 } = {}) {
+        assert(
+            sink,
+            'Expected "GarbageCollector" constructor to be given a "sink" instance.',
+        );
+        this.sink = sink;
+        this.storage = new Storage(sink);
+        this.metaStorage = new MetaStorage(sink);
+        this.log = abslog(logger);
+        this.generations = generations;
+    }
+
+    async getGenerations() {
+        try {
+            return JSON.parse(await this.sink.get(GENERATIONS_KEY));
+        } catch (err) {
+            return [];
+        }
+    }
+
+    async setGenerations(generations) {
+        await this.sink.set(GENERATIONS_KEY, JSON.stringify(generations), {
+            public: false,
+            private: true,
+            metadata: {
+                cacheControl: 'no-cache, no-store, must-revalidate',
+            },
+        });
+    }
+
+    async liveFilesOfType(type) {
+        const [tags, instructions, metas] = await Promise.all([
+            this.storage.getAllTags(type),
+            this.storage.getAllInstructions(type),
+            this.metaStorage.list(type),
+        ]);
+
+        const bundles = await Promise.all(
+            instructions.map(async ({ data }) => {
+                const hashes = await this.storage.getTags(data, type);
+                if (hashes.length && hashes.length === data.length) {
+                    return `${hashArray(hashes)}.${type}`;
+                }
+                return null;
+            }),
+        );
+
+        return [
+            ...tags.map(({ hash }) => `${hash}.json`),
+            ...tags.map(({ hash }) => `${hash}.${type}`),
+            ...bundles.filter(Boolean),
+            ...metas.map(({ version }) => version),
+        ];
+    }
+
+    async liveFiles() {
+        const files = await Promise.all(
+            TYPES.map(type => this.liveFilesOfType(type)),
+        );
+        return new Set([].concat(...files));
+    }
+
+    async collect({ dryRun = false, generations = this.generations } = {}) {
+        const [files, live, previous] = await Promise.all([
+            this.storage.getFiles(),
+            this.liveFiles(),
+            this.getGenerations(),
+        ]);
+
+        const retained = new Set(live);
+        previous
+            .slice(0, generations)
+            .forEach(generation =>
+                generation.live.forEach(file => retained.add(file)),
+            );
+
+        const known = new Set(previous.length ? previous[0].files : []);
+        const unreferenced = files.filter(file => !retained.has(file));
+        const removed = unreferenced.filter(file => known.has(file));
+        const pending = unreferenced.filter(file => !known.has(file));
+
+        if (!dryRun) {
+            await Promise.all(removed.map(file => this.storage.remove(file)));
+            await this.setGenerations(
+                [
+                    {
+                        time: Date.now(),
+                        live: [...live],
+                        files: files.filter(file => !removed.includes(file)),
+                    },
+                    ...previous,
+                ].slice(0, Math.max(generations, 1)),
+            );
+        }
+
+        const report = {
+            dryRun,
+            live: [...live],
+            retained: [...retained].filter(file => !live.has(file)),
+            removed,
+            pending,
+        };
+
+        this.log.info(
+            `garbage collection ${dryRun ? 'dry run ' : ''}complete. ` +
+                `live: ${report.live.length}, ` +
+                `retained: ${report.retained.length}, ` +
+                `removed: ${report.removed.length}, ` +
+                `pending: ${report.pending.length}`,
+        );
+
+        return report;
+    }
+};
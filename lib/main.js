@@ -9,14 +9,17 @@
 
 const EventEmitter = require('events');
 const express = require('express');
-const SinkMem = require('@asset-pipe/sink-mem');
 const Boom = require('boom');
+const Joi = require('joi');
 const uuid = require('uuid/v4');
 const Metrics = require('@metrics/client');
 const mime = require('mime-types');
 const { Transform } = require('readable-stream');
 const params = require('./params');
+const schemas = require('./schemas');
 const MetaStorage = require('./meta-storage');
+const { SinkMem } = require('./sinks');
+const GarbageCollector = require('./garbage-collector');
 const { booleanWithDefault } = require('./utils');
 const OptimisticBundler = require('../lib/optimistic-bundler');
 
@@ -122,6 +125,7 @@ module.exports = class Router extends EventEmitter {
             logger: emitLogger(this),
             env: NODE_ENV || DEFAULT_NODE_ENV,
             publicAssetUrl: null,
+            auth: null,
             ...options,
         };
         this.options.isProduction = this.options.env === 'production';
@@ -139,6 +143,11 @@ module.exports = class Router extends EventEmitter {
 
         this.bundler.metrics.pipe(this.metrics);
 
+        this.gc = new GarbageCollector({
+            sink: this.sink,
+            logger: this.options.logger,
+        });
+
         this.app = express.Router(); // eslint-disable-line new-cap
 
         this.app.use((req, res, next) => {
@@ -149,36 +158,52 @@ module.exports = class Router extends EventEmitter {
 
         this.app.param('file', params.file);
         this.app.param('type', params.type);
+        this.app.param('tag', params.tag);
 
         this.app.post(
             '/feed/:type/:id?',
+            this.authenticate(),
+            this.authorizeParam('id'),
             this.postFeedPersistCallback(),
             this.postFeedResponseCallback(),
         );
 
         this.app.get('/feed/:file', this.getFileCallback());
 
-        this.app.post('/bundle/:type/:id?', this.postBundleHandler());
+        this.app.post(
+            '/bundle/:type/:id?',
+            this.authenticate(),
+            this.authorizeParam('id'),
+            this.postBundleHandler(),
+        );
 
         this.app.get('/bundle/:file', this.getFileCallback());
         this.app.get('/test/bundle/:file', this.getTestFileCallback());
 
-        this.app.post('/publish-assets', async (req, res, next) => {
-            try {
-                const payload = await getBody(req);
-                const meta = await this.bundler.publishAssets(payload, {
-                    minify: booleanWithDefault(
-                        req.query.minify,
-                        this.options.isProduction,
-                    ),
-                    sourceMaps: booleanWithDefault(req.query.sourceMaps, false),
-                    rebundle: booleanWithDefault(req.query.rebundle, true),
-                });
-                res.send(meta);
-            } catch (err) {
-                next(err);
-            }
-        });
+        this.app.post(
+            '/publish-assets',
+            this.authenticate(),
+            async (req, res, next) => {
+                try {
+                    const payload = await getBody(req);
+                    this.authorize(res, payload.tag);
+                    const meta = await this.bundler.publishAssets(payload, {
+                        minify: booleanWithDefault(
+                            req.query.minify,
+                            this.options.isProduction,
+                        ),
+                        sourceMaps: booleanWithDefault(
+                            req.query.sourceMaps,
+                            false,
+                        ),
+                        rebundle: booleanWithDefault(req.query.rebundle, true),
+                    });
+                    res.send(meta);
+                } catch (err) {
+                    next(err);
+                }
+            },
+        );
 
         this.app.get('/sync', (req, res) => {
             const data = {
@@ -199,22 +224,197 @@ module.exports = class Router extends EventEmitter {
             res.json(data);
         });
 
-        this.app.post('/publish-instructions', async (req, res, next) => {
+        this.app.post(
+            '/publish-instructions',
+            this.authenticate(),
+            async (req, res, next) => {
+                try {
+                    const payload = await this.bundler.parseBody(req, res);
+                    this.authorize(res, payload.tag);
+                    await this.bundler.publishInstructions(payload, {
+                        minify: booleanWithDefault(
+                            req.query.minify,
+                            this.options.isProduction,
+                        ),
+                        sourceMaps: booleanWithDefault(
+                            req.query.sourceMaps,
+                            false,
+                        ),
+                    });
+                    res.sendStatus(204);
+                } catch (err) {
+                    next(err);
+                }
+            },
+        );
+
+        this.app.get('/tags/:type/:tag', async (req, res, next) => {
             try {
-                const payload = await this.bundler.parseBody(req, res);
-                await this.bundler.publishInstructions(payload, {
-                    minify: booleanWithDefault(
-                        req.query.minify,
-                        this.options.isProduction,
-                    ),
-                    sourceMaps: booleanWithDefault(req.query.sourceMaps, false),
-                });
-                res.sendStatus(204);
+                const { type, tag } = req.params;
+                const hash = await this.bundler.getTag(tag, type);
+                if (!hash) {
+                    throw Boom.notFound(
+                        `No ${type} assets have been published for tag "${tag}".`,
+                    );
+                }
+                res.json({ tag, type, id: hash, file: `${hash}.json` });
+            } catch (err) {
+                next(err);
+            }
+        });
+
+        this.app.get('/instructions/:type/:tag', async (req, res, next) => {
+            try {
+                const { type, tag } = req.params;
+                res.json(await this.getInstructionOrThrow(tag, type));
+            } catch (err) {
+                next(err);
+            }
+        });
+
+        this.app.get(
+            '/instructions/:type/:tag/bundle',
+            async (req, res, next) => {
+                try {
+                    const { type, tag } = req.params;
+                    const { data: tags } = await this.getInstructionOrThrow(
+                        tag,
+                        type,
+                    );
+                    const {
+                        hashes,
+                        missing,
+                        file,
+                        exists,
+                    } = await this.bundler.resolveBundle(tags, type);
+                    const uri = this.buildUri(
+                        'bundle',
+                        req.headers.host,
+                        req.secure,
+                    );
+
+                    res.json({
+                        tag,
+                        type,
+                        tags,
+                        hashes,
+                        missing,
+                        file,
+                        uri: file ? uri + file : null,
+                        exists,
+                    });
+                } catch (err) {
+                    next(err);
+                }
+            },
+        );
+
+        this.app.get('/latest/:type/:tag', async (req, res, next) => {
+            res.set('Cache-Control', 'no-cache');
+            try {
+                const { type, tag } = req.params;
+                const { data: tags } = await this.getInstructionOrThrow(
+                    tag,
+                    type,
+                );
+                const {
+                    missing,
+                    file,
+                    exists,
+                } = await this.bundler.resolveBundle(tags, type);
+
+                if (!exists) {
+                    const message = missing.length
+                        ? `${type} assets for tag(s) "${missing.join(
+                              ', ',
+                          )}" have not been published yet.`
+                        : `${type} bundle for instruction "${tag}" has not been produced yet.`;
+                    const error = Boom.boomify(new Error(message), {
+                        statusCode: 425,
+                    });
+                    error.output.payload.error = 'Too Early';
+                    error.output.payload.missing = missing;
+                    throw error;
+                }
+
+                res.redirect(302, `${req.baseUrl}/bundle/${file}`);
+            } catch (err) {
+                next(err);
+            }
+        });
+
+        this.app.delete(
+            '/tags/:type/:tag',
+            this.authenticate(),
+            this.authorizeParam('tag'),
+            async (req, res, next) => {
+                try {
+                    const { type, tag } = req.params;
+                    await this.bundler.unpublishTag(tag, type, {
+                        force: booleanWithDefault(req.query.force, false),
+                    });
+                    res.sendStatus(204);
+                } catch (err) {
+                    next(err);
+                }
+            },
+        );
+
+        this.app.get('/tags/:type/:tag/history', async (req, res, next) => {
+            try {
+                const { type, tag } = req.params;
+                const history = await this.bundler.getTagHistory(tag, type);
+                res.json({ tag, type, history });
             } catch (err) {
                 next(err);
             }
         });
 
+        this.app.post(
+            '/tags/:type/:tag/rollback',
+            this.authenticate(),
+            this.authorizeParam('tag'),
+            async (req, res, next) => {
+                try {
+                    const { type, tag } = req.params;
+                    const payload = await this.bundler.parseBody(req, res);
+                    const { hash } = Joi.attempt(
+                        payload,
+                        schemas.rollback,
+                        `Invalid 'rollback' object given when attempting to roll back a tag.`,
+                    );
+                    const meta = await this.bundler.rollback(tag, type, hash, {
+                        minify: booleanWithDefault(
+                            req.query.minify,
+                            this.options.isProduction,
+                        ),
+                        sourceMaps: booleanWithDefault(
+                            req.query.sourceMaps,
+                            false,
+                        ),
+                    });
+                    res.send(meta);
+                } catch (err) {
+                    next(err);
+                }
+            },
+        );
+
+        this.app.delete(
+            '/publish-instructions/:type/:tag',
+            this.authenticate(),
+            this.authorizeParam('tag'),
+            async (req, res, next) => {
+                try {
+                    const { type, tag } = req.params;
+                    await this.bundler.unpublishInstruction(tag, type);
+                    res.sendStatus(204);
+                } catch (err) {
+                    next(err);
+                }
+            },
+        );
+
         this.app.use((error, req, res, next) => {
             this.emit(
                 'request error',
@@ -366,6 +566,45 @@ module.exports = class Router extends EventEmitter {
         };
     }
 
+    authenticate() {
+        return async (req, res, next) => {
+            if (!this.options.auth) {
+                return next();
+            }
+            try {
+                res.locals.client = await this.options.auth.authenticate(req);
+                next();
+            } catch (err) {
+                next(err);
+            }
+        };
+    }
+
+    authorize(res, tag) {
+        if (!this.options.auth) {
+            return;
+        }
+        const { client } = res.locals;
+        if (!this.options.auth.authorize(client, tag)) {
+            throw Boom.forbidden(
+                `Client "${client.id}" is not allowed to publish to tag "${tag}".`,
+            );
+        }
+    }
+
+    authorizeParam(name) {
+        return (req, res, next) => {
+            try {
+                if (req.params[name]) {
+                    this.authorize(res, req.params[name]);
+                }
+                next();
+            } catch (err) {
+                next(err);
+            }
+        };
+    }
+
     onError(next, message) {
         return error => {
             next(Boom.boomify(error, { statusCode: 400, message }));
@@ -462,6 +701,20 @@ module.exports = class Router extends EventEmitter {
         };
     }
 
+    async getInstructionOrThrow(tag, type) {
+        const instruction = await this.bundler.getInstruction(tag, type);
+        if (!instruction) {
+            throw Boom.notFound(
+                `No ${type} bundling instruction has been published for tag "${tag}".`,
+            );
+        }
+        return instruction;
+    }
+
+    async collectGarbage(options) {
+        return this.gc.collect(options);
+    }
+
     /* istanbul ignore next: invoking this method in the test has repercussions */
     async cleanup() {
         await this.bundler.endWorkers();
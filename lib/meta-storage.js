@@ -38,4 +38,13 @@ module.exports = class MetaStorage {
     async has(fileName) {
         return this.sink.has(this.getKey(fileName));
     }
+
+    async list(type) {
+        try {
+            const entries = await this.sink.dir(`/meta/${type}`);
+            return entries.map(({ content }) => JSON.parse(content));
+        } catch (e) {
+            return [];
+        }
+    }
 };
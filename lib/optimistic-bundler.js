@@ -1,6 +1,7 @@
 'use strict';
 
 const Joi = require('joi');
+const Boom = require('boom');
 const abslog = require('abslog');
 const { hashArray } = require('@asset-pipe/common');
 const Metrics = require('@metrics/client');
@@ -22,7 +23,6 @@ module.exports = class OptimisticBundler extends Bundler {
         this.metrics = new Metrics();
         this.log = abslog(options.logger);
         this.options = opts;
-        this.overrides = {};
 
         this.bundleSizeGaugeMetric = this.metrics.gauge({
             name: 'asset_server_bundle_size_gauge',
@@ -144,6 +144,26 @@ module.exports = class OptimisticBundler extends Bundler {
         end({ labels: { method: 'setBundle' } });
     }
 
+    async getTag(tag, type) {
+        const end = this.retrieveFromStorageTimerMetric.timer();
+
+        const hash = await this.storage.getTag(tag, type);
+
+        end({ labels: { method: 'getTag' } });
+
+        return hash;
+    }
+
+    async getInstruction(tag, type) {
+        const end = this.retrieveFromStorageTimerMetric.timer();
+
+        const instruction = await this.storage.getInstruction(tag, type);
+
+        end({ labels: { method: 'getInstruction' } });
+
+        return instruction;
+    }
+
     async getInstructions(tag, type) {
         const end = this.retrieveFromStorageTimerMetric.timer();
 
@@ -170,14 +190,35 @@ module.exports = class OptimisticBundler extends Bundler {
         end({ labels: { method: 'setFeed' } });
     }
 
-    async setTag(tag, assetType, feedHash) {
+    async setTag(
+        tag,
+        assetType,
+        feedHash,
+        { action = 'publish', options = {} } = {},
+    ) {
         const end = this.persistToStorageTimerMetric.timer();
 
         await this.storage.setTag(tag, assetType, feedHash);
+        await this.storage.addTagHistory(tag, assetType, {
+            hash: feedHash,
+            timestamp: new Date().toISOString(),
+            action,
+            options,
+        });
 
         end({ labels: { method: 'setTag' } });
     }
 
+    async getTagHistory(tag, type) {
+        const end = this.retrieveFromStorageTimerMetric.timer();
+
+        const history = await this.storage.getTagHistory(tag, type);
+
+        end({ labels: { method: 'getTagHistory' } });
+
+        return history;
+    }
+
     async bundleExists(tags, hashes, type) {
         const hash = hashArray(hashes);
         const exists = await this.hasBundle(hash, type);
@@ -192,6 +233,23 @@ module.exports = class OptimisticBundler extends Bundler {
         return exists;
     }
 
+    async resolveBundle(tags, type) {
+        const result = await Promise.all(
+            tags.map(tag => this.getTag(tag, type)),
+        );
+        const hashes = result.filter(Boolean);
+        const missing = tags.filter((tag, index) => !result[index]);
+
+        if (missing.length || !hashes.length) {
+            return { hashes, missing, file: null, exists: false };
+        }
+
+        const hash = hashArray(hashes);
+        const exists = await this.hasBundle(hash, type);
+
+        return { hashes, missing, file: `${hash}.${type}`, exists };
+    }
+
     async getFeeds(hashes) {
         return Promise.all(hashes.map(hash => this.getFeed(hash)));
     }
@@ -203,7 +261,7 @@ module.exports = class OptimisticBundler extends Bundler {
         return result.every(hasFeed => hasFeed === true);
     }
 
-    async bundle(tag, tags, hashes, type) {
+    async bundle(tag, tags, hashes, type, options = {}) {
         const feeds = await this.getFeeds(hashes);
 
         const end = this.bundlingTimerMetric.timer({
@@ -216,7 +274,7 @@ module.exports = class OptimisticBundler extends Bundler {
 
         const content = await super.bundleFeeds(feeds, type, {
             ...this.options,
-            ...this.overrides,
+            ...options,
         });
         const hash = hashArray(hashes);
 
@@ -233,7 +291,7 @@ module.exports = class OptimisticBundler extends Bundler {
         return { content, hash };
     }
 
-    async bundleIfNeeded(instruction) {
+    async bundleIfNeeded(instruction, options = {}) {
         const { data: tags, type, tag } = instruction;
         const hashes = await this.getTags(tags, type);
         if (
@@ -253,6 +311,7 @@ module.exports = class OptimisticBundler extends Bundler {
                 tags,
                 hashes,
                 type,
+                options,
             );
             await this.setBundle(hash, type, content);
 
@@ -272,13 +331,15 @@ module.exports = class OptimisticBundler extends Bundler {
         }
     }
 
-    async bundleInstructions(instructions) {
+    async bundleInstructions(instructions, options) {
         return Promise.all(
-            instructions.map(instruction => this.bundleIfNeeded(instruction)),
+            instructions.map(instruction =>
+                this.bundleIfNeeded(instruction, options),
+            ),
         );
     }
 
-    async rebundle(tag, type) {
+    async rebundle(tag, type, options) {
         const end = this.rebundleInstructionsTimerMetric.timer({
             labels: {
                 assetType: type,
@@ -288,7 +349,7 @@ module.exports = class OptimisticBundler extends Bundler {
 
         const instructions = await this.getInstructions(tag, type);
         if (instructions.length) {
-            await this.bundleInstructions(instructions);
+            await this.bundleInstructions(instructions, options);
         }
 
         end();
@@ -308,8 +369,6 @@ module.exports = class OptimisticBundler extends Bundler {
             },
         });
 
-        this.overrides = options;
-
         await this.setInstruction(tag, type, instruction);
 
         this.log.info(
@@ -318,7 +377,7 @@ module.exports = class OptimisticBundler extends Bundler {
             )}]" published to "/instructions/${type}/${tag}.json"`,
         );
 
-        await this.bundleIfNeeded(instruction);
+        await this.bundleIfNeeded(instruction, options);
 
         end();
     }
@@ -399,8 +458,6 @@ module.exports = class OptimisticBundler extends Bundler {
             `request to publish ${type} asset feed for tag "${tag}" received`,
         );
 
-        this.overrides = opts;
-
         const feedHash = hashContent(assetFeed);
         await Promise.all([
             this.saveFeed(tag, feedHash, type, assetFeed),
@@ -408,13 +465,13 @@ module.exports = class OptimisticBundler extends Bundler {
         ]);
 
         if (opts.rebundle) {
-            await this.setTag(tag, type, feedHash);
+            await this.setTag(tag, type, feedHash, { options: opts });
 
             this.log.debug(
                 `${type} tag metadata updated. Wrote "${feedHash}" to "/tags/${type}/${tag}.txt"`,
             );
 
-            await this.rebundle(tag, type);
+            await this.rebundle(tag, type, opts);
 
             this.log.debug(`${type} rebundling for tag "${tag}" complete`);
         }
@@ -423,4 +480,105 @@ module.exports = class OptimisticBundler extends Bundler {
 
         return { id: feedHash, file: `${feedHash}.json` };
     }
+
+    async rollback(tag, type, hash, options = {}) {
+        const history = await this.getTagHistory(tag, type);
+        const current = await this.storage.getTag(tag, type);
+
+        let target = hash;
+        if (!target) {
+            const previous = [...history]
+                .reverse()
+                .find(entry => entry.hash && entry.hash !== current);
+            if (!previous) {
+                throw Boom.conflict(
+                    `${type} tag "${tag}" has no earlier hash to roll back to.`,
+                );
+            }
+            target = previous.hash;
+        } else if (!history.some(entry => entry.hash === target)) {
+            throw Boom.badRequest(
+                `Hash "${target}" has never been published to ${type} tag "${tag}".`,
+            );
+        }
+
+        if (!(await this.hasFeed(target))) {
+            throw Boom.notFound(
+                `${type} asset feed "${target}.json" for tag "${tag}" no longer exists and can not be rolled back to.`,
+            );
+        }
+
+        await this.setTag(tag, type, target, { action: 'rollback', options });
+
+        this.log.info(
+            `${type} tag "${tag}" rolled back from "${current}" to "${target}"`,
+        );
+
+        await this.rebundle(tag, type, options);
+
+        this.log.debug(`${type} rebundling for tag "${tag}" complete`);
+
+        return { id: target, file: `${target}.json` };
+    }
+
+    async unpublishInstruction(tag, type) {
+        if (!(await this.getInstruction(tag, type))) {
+            throw Boom.notFound(
+                `No ${type} bundling instruction has been published for tag "${tag}".`,
+            );
+        }
+
+        const end = this.persistToStorageTimerMetric.timer();
+
+        await this.storage.removeInstruction(tag, type);
+
+        end({ labels: { method: 'removeInstruction' } });
+
+        this.log.info(
+            `${type} bundling instruction "/instructions/${type}/${tag}.json" unpublished`,
+        );
+    }
+
+    async unpublishTag(tag, type, { force = false } = {}) {
+        const hash = await this.getTag(tag, type);
+        if (!hash) {
+            throw Boom.notFound(
+                `No ${type} assets have been published for tag "${tag}".`,
+            );
+        }
+
+        const instructions = await this.getInstructions(tag, type);
+        const referencedBy = instructions.map(instruction => instruction.tag);
+        if (referencedBy.length && !force) {
+            const error = Boom.conflict(
+                `${type} tag "${tag}" is still referenced by bundling instruction(s) "${referencedBy.join(
+                    ', ',
+                )}".`,
+            );
+            error.output.payload.referencedBy = referencedBy;
+            throw error;
+        }
+
+        const end = this.persistToStorageTimerMetric.timer();
+
+        await this.storage.removeTag(tag, type);
+        await this.storage.addTagHistory(tag, type, {
+            hash: null,
+            timestamp: new Date().toISOString(),
+            action: 'unpublish',
+            options: { force },
+        });
+
+        end({ labels: { method: 'removeTag' } });
+
+        this.log.info(
+            `${type} tag "${tag}" pointing at "${hash}" unpublished${
+                referencedBy.length
+                    ? `, still referenced by "${referencedBy.join(', ')}"`
+                    : ''
+            }`,
+        );
+
+        return { referencedBy };
+    }
 };
@@ -54,3 +54,28 @@ module.exports.type = (req, res, next, param) => {
         next();
     });
 };
+
+/**
+ * Validate the "tag" parameter
+ *
+ * @param {Object} req HTTP request object
+ * @param {Object} res HTTP response object
+ * @param {function} next Next function in the route
+ * @param {String} param Parameter from the URL
+ */
+
+module.exports.tag = (req, res, next, param) => {
+    schemas.tag.validate(param, (error, value) => {
+        if (error) {
+            return next(
+                boom.boomify(error, {
+                    statusCode: 400,
+                    message: `Invalid "tag" parameter: ${param}`,
+                }),
+            );
+        }
+
+        req.params.tag = value;
+        next();
+    });
+};
@@ -73,6 +73,18 @@ const assets = Joi.object()
     .keys({ tag, type, data: assetFeed })
     .required();
 
+/**
+ * Validator for a "rollback" object
+ */
+const rollback = Joi.object()
+    .label('rollback')
+    .keys({
+        hash: Joi.string()
+            .label('feed hash')
+            .regex(/^[a-f0-9]+$/),
+    })
+    .required();
+
 module.exports = {
     file,
     ids,
@@ -82,4 +94,5 @@ module.exports = {
     instruction,
     assetFeed,
     assets,
+    rollback,
 };
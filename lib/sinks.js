@@ -0,0 +1,38 @@
+/* eslint-disable max-classes-per-file */
+
+'use strict';
+
+const fs = require('fs');
+const { promisify } = require('util');
+const AssetSinkMem = require('@asset-pipe/sink-mem');
+const AssetSinkFs = require('@asset-pipe/sink-fs');
+
+const unlink = promisify(fs.unlink);
+
+/*
+    The published sinks can not remove files, which unpublishing and garbage
+    collection relies on. These extend them with an idempotent "remove" method.
+*/
+
+class SinkMem extends AssetSinkMem {
+    async remove(fileName) {
+        delete this.db[fileName];
+    }
+}
+
+class SinkFs extends AssetSinkFs {
+    async remove(fileName) {
+        try {
+            await unlink(this.joinPath(fileName));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                throw err;
+            }
+        }
+    }
+}
+
+module.exports = {
+    SinkMem,
+    SinkFs,
+};
@@ -1,6 +1,8 @@
 'use strict';
 
 const assert = require('assert');
+const { basename } = require('path');
+const Boom = require('boom');
 const stringify = require('fast-json-stable-stringify');
 
 module.exports = class Storage {
@@ -38,6 +40,35 @@ module.exports = class Storage {
         });
     }
 
+    async removeTag(tag, type) {
+        await this.remove(`/tags/${type}/${tag}.txt`);
+    }
+
+    async getTagHistory(tag, type) {
+        try {
+            const history = await this.sink.get(`/history/${type}/${tag}.json`);
+            return JSON.parse(history);
+        } catch (err) {
+            return [];
+        }
+    }
+
+    async addTagHistory(tag, type, entry) {
+        const history = await this.getTagHistory(tag, type);
+        history.push(entry);
+        await this.sink.set(
+            `/history/${type}/${tag}.json`,
+            JSON.stringify(history),
+            {
+                public: false,
+                private: true,
+                metadata: {
+                    cacheControl: 'no-cache, no-store, must-revalidate',
+                },
+            },
+        );
+    }
+
     hasTag(tag, type) {
         return this.sink.has(`/tags/${type}/${tag}.txt`);
     }
@@ -49,6 +80,18 @@ module.exports = class Storage {
         return result.every(Boolean);
     }
 
+    async getAllTags(type) {
+        try {
+            const tags = await this.sink.dir(`/tags/${type}`);
+            return tags.map(({ fileName, content }) => ({
+                tag: basename(fileName, '.txt'),
+                hash: content.toString(),
+            }));
+        } catch (err) {
+            return [];
+        }
+    }
+
     async setInstruction(tag, type, instruction) {
         await this.sink.set(
             `/instructions/${type}/${tag}.json`,
@@ -63,12 +106,30 @@ module.exports = class Storage {
         );
     }
 
+    async removeInstruction(tag, type) {
+        await this.remove(`/instructions/${type}/${tag}.json`);
+    }
+
+    async getInstruction(tag, type) {
+        try {
+            const instruction = await this.sink.get(
+                `/instructions/${type}/${tag}.json`,
+            );
+            return JSON.parse(instruction);
+        } catch (err) {
+            return null;
+        }
+    }
+
     async getInstructions(tag, type) {
+        const instructions = await this.getAllInstructions(type);
+        return instructions.filter(({ data }) => data.includes(tag));
+    }
+
+    async getAllInstructions(type) {
         try {
             const instructions = await this.sink.dir(`/instructions/${type}`);
-            return instructions
-                .map(({ content }) => JSON.parse(content))
-                .filter(({ data }) => data.includes(tag));
+            return instructions.map(({ content }) => JSON.parse(content));
         } catch (err) {
             return [];
         }
@@ -103,4 +164,26 @@ module.exports = class Storage {
     async hasBundle(hash, extension) {
         return this.sink.has(`${hash}.${extension}`);
     }
+
+    async getFiles() {
+        try {
+            const files = await this.sink.dir('/');
+            return files
+                .map(({ fileName }) => basename(fileName))
+                .filter(fileName =>
+                    /^[a-f0-9]+\.(json|js|css)$/.test(fileName),
+                );
+        } catch (err) {
+            return [];
+        }
+    }
+
+    async remove(fileName) {
+        if (typeof this.sink.remove !== 'function') {
+            throw Boom.notImplemented(
+                `The sink in use does not support removing files. Unable to remove "${fileName}".`,
+            );
+        }
+        await this.sink.remove(fileName);
+    }
 };
@@ -180,6 +180,9 @@ test('publish instructions before publishing muiltple assets', async () => {
 test('publish instructions updated', async () => {
     const sink = new Sink();
     const optimisticBundler = new OptimisticBundler({ sink });
+    const toISOString = jest
+        .spyOn(Date.prototype, 'toISOString')
+        .mockReturnValue('2018-01-01T00:00:00.000Z');
 
     await optimisticBundler.publishAssets({
         tag: 'podlet1',
@@ -226,6 +229,8 @@ test('publish instructions updated', async () => {
             'cad2b0041db74ac23e27c8c665ce0bca3750d66e18e9e5e15a6cd03e6b55b56d.js',
         ),
     ).toMatchSnapshot();
+
+    toISOString.mockRestore();
 });
 
 test('republishing same asset does not trigger a rebuild', async () => {
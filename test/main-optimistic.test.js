@@ -5,6 +5,7 @@ const supertest = require('supertest');
 const { hashArray } = require('@asset-pipe/common');
 const Sink = require('@asset-pipe/sink-mem');
 const { hashContent } = require('../lib/hasher');
+const Auth = require('../lib/auth');
 const Router = require('../lib/main');
 
 const mockMetaStorageSet = jest.fn().mockName('metaStorageSet');
@@ -435,3 +436,481 @@ describe('publishing and bundling js feeds', () => {
         expect(obj.meta.buckets).toEqual([1, 5, 10, 15, 20, 30, 60, 120]);
     });
 });
+
+describe('tag history and rollback', () => {
+    const publish = async post => {
+        await post('/publish-instructions').send({
+            tag: 'layout1',
+            type: 'js',
+            data: ['podlet1'],
+        });
+        await post('/publish-assets?minify=false').send({
+            tag: 'podlet1',
+            type: 'js',
+            data: jsFeed1,
+        });
+        await post('/publish-assets').send({
+            tag: 'podlet1',
+            type: 'js',
+            data: jsFeed2,
+        });
+    };
+
+    test('tag history', async () => {
+        const sink = new Sink();
+        const router = new Router(sink, { bundleInProcess: true });
+        const { server } = await createTestServerFor(router.router());
+        const { get, post } = supertest(server);
+        await publish(post);
+
+        const { body } = await get('/tags/js/podlet1/history').expect(200);
+
+        expect(body.tag).toBe('podlet1');
+        expect(body.type).toBe('js');
+        expect(body.history.map(({ hash }) => hash)).toEqual([
+            hashContent(jsFeed1),
+            hashContent(jsFeed2),
+        ]);
+        expect(body.history[0].options.minify).toBe(false);
+        await server.close();
+    });
+
+    test('tag history of unknown tag is empty', async () => {
+        const sink = new Sink();
+        const router = new Router(sink, { bundleInProcess: true });
+        const { server } = await createTestServerFor(router.router());
+        const { get } = supertest(server);
+
+        const { body } = await get('/tags/css/podlet1/history').expect(200);
+
+        expect(body.history).toEqual([]);
+        await server.close();
+    });
+
+    test('tag history errors handled', async () => {
+        const sink = new Sink();
+        const router = new Router(sink, { bundleInProcess: true });
+        const { server } = await createTestServerFor(router.router());
+        const { get } = supertest(server);
+        router.bundler.getTagHistory = async () => {
+            throw new Error('Exploding storage!!');
+        };
+
+        await get('/tags/js/podlet1/history').expect(500);
+        await server.close();
+    });
+
+    test('rollback to previous hash', async () => {
+        const sink = new Sink();
+        const router = new Router(sink, { bundleInProcess: true });
+        const { server } = await createTestServerFor(router.router());
+        const { get, post } = supertest(server);
+        await publish(post);
+
+        const { body } = await post('/tags/js/podlet1/rollback')
+            .send({})
+            .expect(200);
+
+        const hash = hashContent(jsFeed1);
+        expect(body).toEqual({ id: hash, file: `${hash}.json` });
+        expect(await sink.get('/tags/js/podlet1.txt')).toBe(hash);
+        await get(`/bundle/${hashArray([hash])}.js`).expect(200);
+        await server.close();
+    });
+
+    test('rollback to given hash', async () => {
+        const sink = new Sink();
+        const router = new Router(sink, { bundleInProcess: true });
+        const { server } = await createTestServerFor(router.router());
+        const { post } = supertest(server);
+        await publish(post);
+
+        const hash = hashContent(jsFeed1);
+        await post('/tags/js/podlet1/rollback?minify=true&sourceMaps=false')
+            .send({ hash })
+            .expect(200);
+
+        expect(await sink.get('/tags/js/podlet1.txt')).toBe(hash);
+        await server.close();
+    });
+
+    test('rollback errors handled', async () => {
+        const sink = new Sink();
+        const router = new Router(sink, { bundleInProcess: true });
+        const { server } = await createTestServerFor(router.router());
+        const { get, post } = supertest(server);
+
+        await post('/tags/js/podlet1/rollback').expect(400);
+        await post('/tags/js/podlet1/rollback')
+            .send({ hash: 'not a hash' })
+            .expect(400);
+        await post('/tags/js/podlet1/rollback')
+            .send({})
+            .expect(409);
+        await get('/tags/js/podlet!1/history').expect(400);
+        await server.close();
+    });
+});
+
+describe('querying tags, instructions and bundles', () => {
+    test('get tag', async () => {
+        const sink = new Sink();
+        const router = new Router(sink, { bundleInProcess: true });
+        const { server } = await createTestServerFor(router.router());
+        const { get, post } = supertest(server);
+        await post('/publish-assets').send({
+            tag: 'podlet1',
+            type: 'js',
+            data: jsFeed1,
+        });
+
+        const { body } = await get('/tags/js/podlet1').expect(200);
+
+        const hash = hashContent(jsFeed1);
+        expect(body).toEqual({
+            tag: 'podlet1',
+            type: 'js',
+            id: hash,
+            file: `${hash}.json`,
+        });
+        await get('/tags/css/podlet1').expect(404);
+        await server.close();
+    });
+
+    test('get instruction', async () => {
+        const sink = new Sink();
+        const router = new Router(sink, { bundleInProcess: true });
+        const { server } = await createTestServerFor(router.router());
+        const { get, post } = supertest(server);
+        const instruction = {
+            tag: 'layout1',
+            type: 'js',
+            data: ['podlet1', 'podlet2'],
+        };
+        await post('/publish-instructions').send(instruction);
+
+        const { body } = await get('/instructions/js/layout1').expect(200);
+
+        expect(body).toEqual(instruction);
+        await get('/instructions/css/layout1').expect(404);
+        await server.close();
+    });
+
+    test('resolve bundle of instruction', async () => {
+        const sink = new Sink();
+        const router = new Router(sink, { bundleInProcess: true });
+        const { server } = await createTestServerFor(router.router());
+        const { get, post } = supertest(server);
+        await post('/publish-instructions').send({
+            tag: 'layout1',
+            type: 'js',
+            data: ['podlet1', 'podlet2'],
+        });
+        await post('/publish-assets').send({
+            tag: 'podlet1',
+            type: 'js',
+            data: jsFeed1,
+        });
+
+        const { body: pending } = await get(
+            '/instructions/js/layout1/bundle',
+        ).expect(200);
+
+        expect(pending).toEqual({
+            tag: 'layout1',
+            type: 'js',
+            tags: ['podlet1', 'podlet2'],
+            hashes: [hashContent(jsFeed1)],
+            missing: ['podlet2'],
+            file: null,
+            uri: null,
+            exists: false,
+        });
+
+        await post('/publish-assets').send({
+            tag: 'podlet2',
+            type: 'js',
+            data: jsFeed2,
+        });
+
+        const { body: complete } = await get(
+            '/instructions/js/layout1/bundle',
+        ).expect(200);
+
+        const file = `${hashArray([
+            hashContent(jsFeed1),
+            hashContent(jsFeed2),
+        ])}.js`;
+        expect(complete.missing).toEqual([]);
+        expect(complete.file).toBe(file);
+        expect(complete.uri).toMatch(
+            new RegExp(`^http://[0-9.:]+/bundle/${file}$`),
+        );
+        expect(complete.exists).toBe(true);
+        await get(`/bundle/${file}`).expect(200);
+        await get('/instructions/js/layout2/bundle').expect(404);
+        await server.close();
+    });
+});
+
+describe('latest bundle of instruction', () => {
+    const publish = async post => {
+        await post('/publish-instructions').send({
+            tag: 'layout1',
+            type: 'js',
+            data: ['podlet1', 'podlet2'],
+        });
+        await post('/publish-assets').send({
+            tag: 'podlet1',
+            type: 'js',
+            data: jsFeed1,
+        });
+    };
+
+    test('redirects to bundle', async () => {
+        const sink = new Sink();
+        const router = new Router(sink, { bundleInProcess: true });
+        const { server } = await createTestServerFor(router.router());
+        const { get, post } = supertest(server);
+        await publish(post);
+        await post('/publish-assets').send({
+            tag: 'podlet2',
+            type: 'js',
+            data: jsFeed2,
+        });
+
+        const { headers } = await get('/latest/js/layout1').expect(302);
+
+        const file = `${hashArray([
+            hashContent(jsFeed1),
+            hashContent(jsFeed2),
+        ])}.js`;
+        expect(headers.location).toBe(`/bundle/${file}`);
+        expect(headers['cache-control']).toBe('no-cache');
+        await server.close();
+    });
+
+    test('tags not yet published', async () => {
+        const sink = new Sink();
+        const router = new Router(sink, { bundleInProcess: true });
+        const { server } = await createTestServerFor(router.router());
+        const { get, post } = supertest(server);
+        await publish(post);
+
+        const { body, headers } = await get('/latest/js/layout1')
+            .set('Accept', 'application/json')
+            .expect(425);
+
+        expect(body).toEqual({
+            statusCode: 425,
+            error: 'Too Early',
+            message:
+                'js assets for tag(s) "podlet2" have not been published yet.',
+            missing: ['podlet2'],
+        });
+        expect(headers['cache-control']).toBe('no-cache');
+        await server.close();
+    });
+
+    test('bundle not yet produced', async () => {
+        const sink = new Sink();
+        const router = new Router(sink, { bundleInProcess: true });
+        const { server } = await createTestServerFor(router.router());
+        const { get, post } = supertest(server);
+        await publish(post);
+        await sink.set('/tags/js/podlet2.txt', hashContent(jsFeed2));
+
+        const { body } = await get('/latest/js/layout1')
+            .set('Accept', 'application/json')
+            .expect(425);
+
+        expect(body.message).toBe(
+            'js bundle for instruction "layout1" has not been produced yet.',
+        );
+        expect(body.missing).toEqual([]);
+        await server.close();
+    });
+
+    test('unknown instruction', async () => {
+        const sink = new Sink();
+        const router = new Router(sink, { bundleInProcess: true });
+        const { server } = await createTestServerFor(router.router());
+        const { get } = supertest(server);
+
+        await get('/latest/js/layout1').expect(404);
+        await server.close();
+    });
+});
+
+describe('unpublishing instructions and tags', () => {
+    const publish = async post => {
+        await post('/publish-instructions').send({
+            tag: 'layout1',
+            type: 'js',
+            data: ['podlet1'],
+        });
+        await post('/publish-assets').send({
+            tag: 'podlet1',
+            type: 'js',
+            data: jsFeed1,
+        });
+    };
+
+    test('unpublish instruction', async () => {
+        const router = new Router(null, { bundleInProcess: true });
+        const { server } = await createTestServerFor(router.router());
+        const { get, post, delete: del } = supertest(server);
+        await publish(post);
+
+        await del('/publish-instructions/js/layout1').expect(204);
+
+        await get('/instructions/js/layout1').expect(404);
+        await del('/publish-instructions/js/layout1').expect(404);
+        await server.close();
+    });
+
+    test('unpublish tag referenced by instruction', async () => {
+        const router = new Router(null, { bundleInProcess: true });
+        const { server } = await createTestServerFor(router.router());
+        const { get, post, delete: del } = supertest(server);
+        await publish(post);
+
+        const { body } = await del('/tags/js/podlet1')
+            .set('Accept', 'application/json')
+            .expect(409);
+
+        expect(body.referencedBy).toEqual(['layout1']);
+        await get('/tags/js/podlet1').expect(200);
+
+        await del('/tags/js/podlet1?force=true').expect(204);
+
+        await get('/tags/js/podlet1').expect(404);
+        await server.close();
+    });
+
+    test('unpublish tag', async () => {
+        const router = new Router(null, { bundleInProcess: true });
+        const { server } = await createTestServerFor(router.router());
+        const { get, post, delete: del } = supertest(server);
+        await publish(post);
+        await del('/publish-instructions/js/layout1').expect(204);
+
+        await del('/tags/js/podlet1').expect(204);
+
+        await get('/tags/js/podlet1').expect(404);
+        await del('/tags/js/podlet1').expect(404);
+        await server.close();
+    });
+
+    test('sink without remove support', async () => {
+        const sink = new Sink();
+        const router = new Router(sink, { bundleInProcess: true });
+        const { server } = await createTestServerFor(router.router());
+        const { post, delete: del } = supertest(server);
+        await publish(post);
+
+        await del('/publish-instructions/js/layout1').expect(501);
+        await server.close();
+    });
+});
+
+describe('authentication and authorization', () => {
+    const auth = new Auth({
+        clients: {
+            'team-a': { key: 'key-a', tags: ['podlet1', 'layout1'] },
+        },
+    });
+
+    const setup = async () => {
+        const router = new Router(null, { bundleInProcess: true, auth });
+        const { server } = await createTestServerFor(router.router());
+        return { server, ...supertest(server) };
+    };
+
+    test('publishing requires credentials', async () => {
+        const { server, post } = await setup();
+        const feed = { tag: 'podlet1', type: 'js', data: jsFeed1 };
+
+        await post('/publish-assets')
+            .send(feed)
+            .expect(401);
+        await post('/publish-assets')
+            .set('Authorization', 'Bearer key-b')
+            .send(feed)
+            .expect(401);
+        await post('/publish-assets')
+            .set('Authorization', 'Bearer key-a')
+            .send(feed)
+            .expect(200);
+        await server.close();
+    });
+
+    test('publishing is restricted to tags of client', async () => {
+        const { server, post, delete: del } = await setup();
+        const authorization = 'Bearer key-a';
+
+        await post('/publish-assets')
+            .set('Authorization', authorization)
+            .send({ tag: 'podlet2', type: 'js', data: jsFeed2 })
+            .expect(403);
+        await post('/publish-instructions')
+            .set('Authorization', authorization)
+            .send({ tag: 'layout2', type: 'js', data: ['podlet1'] })
+            .expect(403);
+        await post('/publish-instructions')
+            .set('Authorization', authorization)
+            .send({ tag: 'layout1', type: 'js', data: ['podlet1'] })
+            .expect(204);
+        await post('/tags/js/podlet2/rollback')
+            .set('Authorization', authorization)
+            .send({})
+            .expect(403);
+        await del('/tags/js/podlet2')
+            .set('Authorization', authorization)
+            .expect(403);
+        await del('/publish-instructions/js/layout2')
+            .set('Authorization', authorization)
+            .expect(403);
+        await del('/publish-instructions/js/layout1')
+            .set('Authorization', authorization)
+            .expect(204);
+        await server.close();
+    });
+
+    test('feed and bundle meta is restricted to tags of client', async () => {
+        const { server, post } = await setup();
+        const authorization = 'Bearer key-a';
+
+        await post('/feed/js/podlet2')
+            .set('Authorization', authorization)
+            .send(jsFeed1)
+            .expect(403);
+        await post('/bundle/js/podlet2')
+            .set('Authorization', authorization)
+            .send(['a.json'])
+            .expect(403);
+        const { body } = await post('/feed/js')
+            .set('Authorization', authorization)
+            .send(jsFeed1)
+            .expect(200);
+        await post('/bundle/js')
+            .send([body.file])
+            .expect(401);
+        await server.close();
+    });
+
+    test('reading is public', async () => {
+        const { server, get, post } = await setup();
+        const {
+            body: { id },
+        } = await post('/publish-assets')
+            .set('Authorization', 'Bearer key-a')
+            .send({ tag: 'podlet1', type: 'js', data: jsFeed1 })
+            .expect(200);
+
+        await get(`/bundle/${id}.js`).expect(200);
+        await get(`/feed/${id}.json`).expect(200);
+        await get('/tags/js/podlet1').expect(200);
+        await server.close();
+    });
+});
@@ -323,6 +323,28 @@ describe('Router instance methods', () => {
         expect(uri).toBe('http://foo/bar/');
     });
 
+    test('collectGarbage', async () => {
+        const router = new Router();
+        const report = { removed: [] };
+        router.gc.collect = jest.fn().mockResolvedValue(report);
+
+        const result = await router.collectGarbage({ dryRun: true });
+
+        expect(router.gc.collect).toHaveBeenCalledWith({ dryRun: true });
+        expect(result).toBe(report);
+    });
+
+    test('collectGarbage', async () => {
+        const router = new Router();
+        const report = { removed: [] };
+        router.gc.collect = jest.fn().mockResolvedValue(report);
+
+        const result = await router.collectGarbage({ dryRun: true });
+
+        expect(router.gc.collect).toHaveBeenCalledWith({ dryRun: true });
+        expect(result).toBe(report);
+    });
+
     test('cleanup', () => {
         const router = new Router();
 
@@ -102,3 +102,26 @@ test('has() - set and get same value', async () => {
     const result = await storage.has('key');
     expect(result).toBe(true);
 });
+
+test('list() - get all entries of a type', async () => {
+    const sink = new SinkMem();
+    const storage = new MetaStorage(sink);
+
+    await storage.set('js/a', { id: 'a', version: 'a1.js' });
+    await storage.set('js/b', { id: 'b', version: 'b1.js' });
+    await storage.set('css/c', { id: 'c', version: 'c1.css' });
+
+    const result = await storage.list('js');
+    expect(result).toEqual([
+        { id: 'a', version: 'a1.js' },
+        { id: 'b', version: 'b1.js' },
+    ]);
+});
+
+test('list() - no entries', async () => {
+    const sink = new SinkMem();
+    const storage = new MetaStorage(sink);
+
+    const result = await storage.list('js');
+    expect(result).toEqual([]);
+});
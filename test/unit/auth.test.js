@@ -0,0 +1,104 @@
+'use strict';
+
+const Auth = require('../../lib/auth');
+
+const clients = {
+    'team-a': { key: 'key-a', secret: 'secret-a', tags: ['team-a-*'] },
+    'team-b': { key: 'key-b', tags: ['podlet', 'layout'] },
+    admin: { secret: 'secret-admin', tags: ['*'] },
+};
+
+const request = (authorization, headers = {}) => ({
+    method: 'POST',
+    originalUrl: '/publish-assets?minify=true',
+    headers: { authorization, ...headers },
+});
+
+const signed = (id, secret, timestamp = Date.now()) =>
+    request(
+        `HMAC ${id}:${Auth.sign(
+            secret,
+            timestamp,
+            'post',
+            '/publish-assets?minify=true',
+        )}`,
+        { 'x-asset-pipe-timestamp': String(timestamp) },
+    );
+
+test('authenticate() - API key', async () => {
+    const auth = new Auth({ clients });
+    const client = await auth.authenticate(request('Bearer key-b'));
+    expect(client.id).toBe('team-b');
+});
+
+test('authenticate() - invalid API key', async () => {
+    const auth = new Auth({ clients });
+    await expect(auth.authenticate(request('Bearer key-c'))).rejects.toThrow(
+        'Missing or invalid credentials.',
+    );
+});
+
+test('authenticate() - missing credentials', async () => {
+    const auth = new Auth({ clients });
+    await expect(auth.authenticate(request())).rejects.toThrow(
+        'Missing or invalid credentials.',
+    );
+    await expect(auth.authenticate(request('Basic abc'))).rejects.toThrow(
+        'Missing or invalid credentials.',
+    );
+});
+
+test('authenticate() - HMAC signature', async () => {
+    const auth = new Auth({ clients });
+    const client = await auth.authenticate(signed('admin', 'secret-admin'));
+    expect(client.id).toBe('admin');
+});
+
+test('authenticate() - invalid HMAC signature', async () => {
+    const auth = new Auth({ clients });
+    await expect(
+        auth.authenticate(signed('team-a', 'secret-admin')),
+    ).rejects.toThrow('Missing or invalid credentials.');
+    await expect(auth.authenticate(request('HMAC team-a'))).rejects.toThrow(
+        'Missing or invalid credentials.',
+    );
+});
+
+test('authenticate() - HMAC signature of client without secret', async () => {
+    const auth = new Auth({ clients });
+    await expect(
+        auth.authenticate(signed('team-b', 'secret-a')),
+    ).rejects.toThrow('Missing or invalid credentials.');
+});
+
+test('authenticate() - expired HMAC signature', async () => {
+    const auth = new Auth({ clients, maxClockSkew: 1000 });
+    await expect(
+        auth.authenticate(signed('team-a', 'secret-a', Date.now() - 2000)),
+    ).rejects.toThrow('Request signature has expired.');
+});
+
+test('authorize()', async () => {
+    const auth = new Auth({ clients });
+    const teamA = await auth.authenticate(request('Bearer key-a'));
+    const teamB = await auth.authenticate(request('Bearer key-b'));
+    const admin = await auth.authenticate(signed('admin', 'secret-admin'));
+
+    expect(auth.authorize(teamA, 'team-a-podlet')).toBe(true);
+    expect(auth.authorize(teamA, 'team-b-podlet')).toBe(false);
+    expect(auth.authorize(teamB, 'podlet')).toBe(true);
+    expect(auth.authorize(teamB, 'podlet-2')).toBe(false);
+    expect(auth.authorize(admin, 'anything')).toBe(true);
+});
+
+test('authorize() - client without tags', async () => {
+    const auth = new Auth({ clients: { nobody: { key: 'key' } } });
+    const client = await auth.authenticate(request('Bearer key'));
+    expect(auth.authorize(client, 'podlet')).toBe(false);
+});
+
+test('constructor() - defaults', async () => {
+    const auth = new Auth();
+    expect(auth.clients).toEqual([]);
+    expect(auth.maxClockSkew).toBe(300000);
+});
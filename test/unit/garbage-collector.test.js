@@ -0,0 +1,147 @@
+'use strict';
+
+const SinkMem = require('@asset-pipe/sink-mem');
+const { hashArray } = require('@asset-pipe/common');
+const GarbageCollector = require('../../lib/garbage-collector');
+
+class Sink extends SinkMem {
+    async remove(fileName) {
+        delete this.db[fileName];
+    }
+}
+
+async function populate(sink) {
+    await sink.set('a1.json', '[]');
+    await sink.set('a1.js', 'fallback a1');
+    await sink.set('b1.json', '[]');
+    await sink.set('b1.js', 'fallback b1');
+    await sink.set('c1.json', '[]');
+    await sink.set('c1.css', 'fallback c1');
+    await sink.set(`${hashArray(['a1', 'b1'])}.js`, 'bundle a1 b1');
+    await sink.set('d1.js', 'legacy bundle');
+    await sink.set('e1.js', 'garbage');
+    await sink.set('e1.json', '[]');
+    await sink.set('/tags/js/a.txt', 'a1');
+    await sink.set('/tags/js/b.txt', 'b1');
+    await sink.set('/tags/css/c.txt', 'c1');
+    await sink.set(
+        '/instructions/js/layout.json',
+        JSON.stringify({ tag: 'layout', type: 'js', data: ['a', 'b'] }),
+    );
+    await sink.set(
+        '/instructions/css/layout.json',
+        JSON.stringify({ tag: 'layout', type: 'css', data: ['c', 'x'] }),
+    );
+    await sink.set(
+        '/meta/js/legacy.json',
+        JSON.stringify({ id: 'legacy', version: 'd1.js' }),
+    );
+}
+
+test('constructor() - should require a sink', () => {
+    expect(() => new GarbageCollector()).toThrowError(
+        'Expected "GarbageCollector" constructor to be given a "sink" instance.',
+    );
+});
+
+test('collect() - first run only marks unreferenced files as pending', async () => {
+    const sink = new Sink();
+    const gc = new GarbageCollector({ sink });
+    await populate(sink);
+
+    const report = await gc.collect();
+
+    expect(report.removed).toEqual([]);
+    expect(report.pending.sort()).toEqual(['e1.js', 'e1.json']);
+    expect(report.live.sort()).toEqual(
+        [
+            'a1.js',
+            'a1.json',
+            'b1.js',
+            'b1.json',
+            'c1.css',
+            'c1.json',
+            'd1.js',
+            `${hashArray(['a1', 'b1'])}.js`,
+        ].sort(),
+    );
+    expect(await sink.has('e1.js')).toBe(true);
+});
+
+test('collect() - second run removes files unreferenced since the first', async () => {
+    const sink = new Sink();
+    const gc = new GarbageCollector({ sink });
+    await populate(sink);
+
+    await gc.collect();
+    await sink.set('f1.js', 'new garbage');
+    const report = await gc.collect();
+
+    expect(report.removed.sort()).toEqual(['e1.js', 'e1.json']);
+    expect(report.pending).toEqual(['f1.js']);
+    expect(await sink.has('e1.js')).toBe(false);
+    expect(await sink.has('e1.json')).toBe(false);
+    expect(await sink.has('f1.js')).toBe(true);
+    expect(await sink.has('a1.js')).toBe(true);
+});
+
+test('collect() - dry run does not remove or record anything', async () => {
+    const sink = new Sink();
+    const gc = new GarbageCollector({ sink });
+    await populate(sink);
+
+    await gc.collect();
+    const report = await gc.collect({ dryRun: true });
+    const generations = JSON.parse(await sink.get('/gc/generations.json'));
+
+    expect(report.dryRun).toBe(true);
+    expect(report.removed.sort()).toEqual(['e1.js', 'e1.json']);
+    expect(await sink.has('e1.js')).toBe(true);
+    expect(generations).toHaveLength(1);
+});
+
+test('collect() - retains files referenced by previous generations', async () => {
+    const sink = new Sink();
+    const gc = new GarbageCollector({ sink, generations: 1 });
+    await populate(sink);
+
+    await gc.collect();
+    await sink.set('/tags/js/a.txt', 'a2');
+    await sink.set('a2.json', '[]');
+    await sink.set('a2.js', 'fallback a2');
+    const report = await gc.collect();
+
+    expect(report.retained.sort()).toEqual(
+        ['a1.js', 'a1.json', `${hashArray(['a1', 'b1'])}.js`].sort(),
+    );
+    expect(await sink.has('a1.js')).toBe(true);
+
+    const next = await gc.collect();
+
+    expect(next.retained).toEqual([]);
+    expect(next.removed.sort()).toEqual(
+        ['a1.js', 'a1.json', `${hashArray(['a1', 'b1'])}.js`].sort(),
+    );
+    expect(await sink.has('a1.js')).toBe(false);
+});
+
+test('collect() - generations can be overridden per run', async () => {
+    const sink = new Sink();
+    const gc = new GarbageCollector({ sink });
+    await populate(sink);
+
+    await gc.collect();
+    await sink.set('/tags/js/a.txt', 'a2');
+    const report = await gc.collect({ generations: 0 });
+
+    expect(report.retained).toEqual([]);
+    expect(report.removed.sort()).toEqual(
+        [
+            'a1.js',
+            'a1.json',
+            'e1.js',
+            'e1.json',
+            `${hashArray(['a1', 'b1'])}.js`,
+        ].sort(),
+    );
+});
@@ -1,7 +1,11 @@
 'use strict';
 
 const Sink = require('@asset-pipe/sink-mem');
+const { hashArray } = require('@asset-pipe/common');
+const Bundler = require('../../lib/bundler');
 const OptimisticBundler = require('../../lib/optimistic-bundler');
+const { SinkMem } = require('../../lib/sinks');
+const { hashContent } = require('../../lib/hasher');
 
 beforeAll(() => jest.setTimeout(20000));
 
@@ -168,3 +172,286 @@ test('publishInstructions() - invalid schema given', async () => {
     const ob = new OptimisticBundler({ sink });
     expect(ob.publishInstructions({}, 'js')).rejects.toMatchSnapshot();
 });
+
+test('publishAssets() - concurrent publishes keep their own bundling options', async () => {
+    const sink = new Sink();
+    const ob = new OptimisticBundler({ sink, bundleInProcess: true });
+    const spy = jest.spyOn(Bundler.prototype, 'bundleFeeds');
+
+    await ob.setInstruction('layout1', 'js', {
+        tag: 'layout1',
+        type: 'js',
+        data: ['podlet1'],
+    });
+    await ob.setInstruction('layout2', 'js', {
+        tag: 'layout2',
+        type: 'js',
+        data: ['podlet2'],
+    });
+
+    await Promise.all([
+        ob.publishAssets(
+            { tag: 'podlet1', type: 'js', data: feed1 },
+            { minify: true, sourceMaps: false },
+        ),
+        ob.publishAssets(
+            { tag: 'podlet2', type: 'js', data: feed2 },
+            { minify: false, sourceMaps: true },
+        ),
+    ]);
+
+    const optionsFor = feed =>
+        spy.mock.calls.find(
+            ([feeds, , options]) => options && feeds[0][0].id === feed[0].id,
+        )[2];
+
+    expect(optionsFor(feed1)).toMatchObject({
+        minify: true,
+        sourceMaps: false,
+    });
+    expect(optionsFor(feed2)).toMatchObject({
+        minify: false,
+        sourceMaps: true,
+    });
+
+    spy.mockRestore();
+});
+
+describe('tag history and rollback', () => {
+    const publishAll = async ob => {
+        await ob.setInstruction('layout', 'js', {
+            tag: 'layout',
+            type: 'js',
+            data: ['podlet'],
+        });
+        const first = await ob.publishAssets(
+            { tag: 'podlet', type: 'js', data: feed1 },
+            { minify: false },
+        );
+        const second = await ob.publishAssets(
+            { tag: 'podlet', type: 'js', data: feed2 },
+            { minify: true },
+        );
+        return [first.id, second.id];
+    };
+
+    test('setTag() - records tag history', async () => {
+        const sink = new Sink();
+        const ob = new OptimisticBundler({ sink, bundleInProcess: true });
+
+        await ob.setTag('podlet', 'js', 'hash1');
+
+        expect(await sink.get('/tags/js/podlet.txt')).toBe('hash1');
+        expect(await ob.getTagHistory('podlet', 'js')).toEqual([
+            {
+                hash: 'hash1',
+                timestamp: expect.any(String),
+                action: 'publish',
+                options: {},
+            },
+        ]);
+    });
+
+    test('publishAssets() - records tag history', async () => {
+        const sink = new Sink();
+        const ob = new OptimisticBundler({ sink, bundleInProcess: true });
+        const [hash1, hash2] = await publishAll(ob);
+
+        const history = await ob.getTagHistory('podlet', 'js');
+
+        expect(history).toHaveLength(2);
+        expect(history[0]).toMatchObject({
+            hash: hash1,
+            action: 'publish',
+            options: { minify: false, rebundle: true },
+        });
+        expect(history[1]).toMatchObject({
+            hash: hash2,
+            action: 'publish',
+            options: { minify: true, rebundle: true },
+        });
+        expect(typeof history[0].timestamp).toBe('string');
+    });
+
+    test('rollback() - to the previous hash', async () => {
+        const sink = new Sink();
+        const ob = new OptimisticBundler({ sink, bundleInProcess: true });
+        const [hash1] = await publishAll(ob);
+        const rebundle = jest.spyOn(ob, 'rebundle');
+
+        const result = await ob.rollback('podlet', 'js', undefined, {
+            minify: false,
+        });
+
+        expect(result).toEqual({ id: hash1, file: `${hash1}.json` });
+        expect(await sink.get('/tags/js/podlet.txt')).toBe(hash1);
+        expect(rebundle).toHaveBeenCalledWith('podlet', 'js', {
+            minify: false,
+        });
+        expect(await ob.hasBundle(hashArray([hash1]), 'js')).toBe(true);
+
+        const history = await ob.getTagHistory('podlet', 'js');
+        expect(history).toHaveLength(3);
+        expect(history[2]).toMatchObject({ hash: hash1, action: 'rollback' });
+    });
+
+    test('rollback() - to a given hash', async () => {
+        const sink = new Sink();
+        const ob = new OptimisticBundler({ sink, bundleInProcess: true });
+        const [hash1, hash2] = await publishAll(ob);
+
+        await ob.rollback('podlet', 'js', hash1);
+        const result = await ob.rollback('podlet', 'js', hash2);
+
+        expect(result).toEqual({ id: hash2, file: `${hash2}.json` });
+        expect(await sink.get('/tags/js/podlet.txt')).toBe(hash2);
+    });
+
+    test('rollback() - hash never published to tag', async () => {
+        const sink = new Sink();
+        const ob = new OptimisticBundler({ sink, bundleInProcess: true });
+        await publishAll(ob);
+
+        await expect(ob.rollback('podlet', 'js', 'abc123')).rejects.toThrow(
+            'Hash "abc123" has never been published to js tag "podlet".',
+        );
+    });
+
+    test('rollback() - no earlier hash', async () => {
+        const sink = new Sink();
+        const ob = new OptimisticBundler({ sink, bundleInProcess: true });
+
+        await expect(ob.rollback('podlet', 'js')).rejects.toThrow(
+            'js tag "podlet" has no earlier hash to roll back to.',
+        );
+    });
+
+    test('rollback() - feed no longer exists', async () => {
+        const sink = new Sink();
+        const ob = new OptimisticBundler({ sink, bundleInProcess: true });
+        const [hash1] = await publishAll(ob);
+        delete sink.db[`${hash1}.json`];
+
+        await expect(ob.rollback('podlet', 'js')).rejects.toThrow(
+            `js asset feed "${hash1}.json" for tag "podlet" no longer exists and can not be rolled back to.`,
+        );
+    });
+});
+
+test('resolveBundle() - all tags published', async () => {
+    const sink = new Sink();
+    const ob = new OptimisticBundler({ sink, bundleInProcess: true });
+    await sink.set('/tags/js/a.txt', 'hash1');
+    await sink.set('/tags/js/b.txt', 'hash2');
+    const file = `${hashArray(['hash1', 'hash2'])}.js`;
+
+    expect(await ob.resolveBundle(['a', 'b'], 'js')).toEqual({
+        hashes: ['hash1', 'hash2'],
+        missing: [],
+        file,
+        exists: false,
+    });
+
+    await sink.set(file, 'bundle');
+
+    expect(await ob.resolveBundle(['a', 'b'], 'js')).toMatchObject({
+        file,
+        exists: true,
+    });
+});
+
+test('resolveBundle() - tags missing', async () => {
+    const sink = new Sink();
+    const ob = new OptimisticBundler({ sink, bundleInProcess: true });
+    await sink.set('/tags/js/a.txt', 'hash1');
+
+    expect(await ob.resolveBundle(['a', 'b', 'c'], 'js')).toEqual({
+        hashes: ['hash1'],
+        missing: ['b', 'c'],
+        file: null,
+        exists: false,
+    });
+    expect(await ob.resolveBundle([], 'js')).toEqual({
+        hashes: [],
+        missing: [],
+        file: null,
+        exists: false,
+    });
+});
+
+describe('unpublishing', () => {
+    const setup = async () => {
+        const sink = new SinkMem();
+        const ob = new OptimisticBundler({ sink, bundleInProcess: true });
+        await ob.publishInstructions({
+            tag: 'layout',
+            type: 'js',
+            data: ['podlet'],
+        });
+        await ob.publishAssets({ tag: 'podlet', type: 'js', data: feed1 });
+        return { sink, ob };
+    };
+
+    test('unpublishInstruction()', async () => {
+        const { ob } = await setup();
+
+        await ob.unpublishInstruction('layout', 'js');
+
+        expect(await ob.getInstruction('layout', 'js')).toBeNull();
+        await expect(ob.unpublishInstruction('layout', 'js')).rejects.toThrow(
+            'No js bundling instruction has been published for tag "layout".',
+        );
+    });
+
+    test('unpublishTag() - still referenced by instructions', async () => {
+        const { ob } = await setup();
+
+        const error = await ob.unpublishTag('podlet', 'js').catch(err => err);
+
+        expect(error.message).toBe(
+            'js tag "podlet" is still referenced by bundling instruction(s) "layout".',
+        );
+        expect(error.output.statusCode).toBe(409);
+        expect(error.output.payload.referencedBy).toEqual(['layout']);
+        expect(await ob.getTag('podlet', 'js')).toBeTruthy();
+    });
+
+    test('unpublishTag() - forced', async () => {
+        const { ob } = await setup();
+
+        const result = await ob.unpublishTag('podlet', 'js', { force: true });
+
+        expect(result).toEqual({ referencedBy: ['layout'] });
+        expect(await ob.getTag('podlet', 'js')).toBeNull();
+        const history = await ob.getTagHistory('podlet', 'js');
+        expect(history[1]).toMatchObject({
+            hash: null,
+            action: 'unpublish',
+            options: { force: true },
+        });
+    });
+
+    test('unpublishTag() - not referenced by instructions', async () => {
+        const { ob } = await setup();
+        await ob.unpublishInstruction('layout', 'js');
+
+        const result = await ob.unpublishTag('podlet', 'js');
+
+        expect(result).toEqual({ referencedBy: [] });
+        expect(await ob.getTag('podlet', 'js')).toBeNull();
+        await expect(ob.unpublishTag('podlet', 'js')).rejects.toThrow(
+            'No js assets have been published for tag "podlet".',
+        );
+    });
+
+    test('rollback() - after unpublishing tag', async () => {
+        const { ob } = await setup();
+        await ob.unpublishTag('podlet', 'js', { force: true });
+
+        const result = await ob.rollback('podlet', 'js');
+
+        const hash = hashContent(feed1);
+        expect(result).toEqual({ id: hash, file: `${hash}.json` });
+        expect(await ob.getTag('podlet', 'js')).toBe(hash);
+    });
+});
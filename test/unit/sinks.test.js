@@ -0,0 +1,50 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SinkMem, SinkFs } = require('../../lib/sinks');
+
+test('SinkMem remove()', async () => {
+    const sink = new SinkMem();
+    await sink.set('hash1.js', 'content');
+
+    await sink.remove('hash1.js');
+    await sink.remove('hash2.js');
+
+    expect(await sink.has('hash1.js')).toBe(false);
+});
+
+describe('SinkFs', () => {
+    let root;
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'asset-pipe-sink-'));
+    });
+
+    afterEach(() => {
+        fs.rmdirSync(root, { recursive: true });
+    });
+
+    test('remove()', async () => {
+        const sink = new SinkFs({ path: root });
+        await sink.set('/tags/js/tag1.txt', 'hash1');
+
+        await sink.remove('/tags/js/tag1.txt');
+
+        expect(await sink.has('/tags/js/tag1.txt')).toBe(false);
+    });
+
+    test('remove() - file does not exist', async () => {
+        const sink = new SinkFs({ path: root });
+
+        await expect(sink.remove('hash1.js')).resolves.toBeUndefined();
+    });
+
+    test('remove() - file can not be removed', async () => {
+        const sink = new SinkFs({ path: root });
+        await sink.set('/tags/js/tag1.txt', 'hash1');
+
+        await expect(sink.remove('/tags/js')).rejects.toThrow();
+    });
+});
@@ -42,6 +42,23 @@ test('setTag()', async () => {
     expect(await sink.get('/tags/js/tag1.txt')).toBe('hash1');
 });
 
+test('getTagHistory() - no history recorded', async () => {
+    const sink = new Sink();
+    const storage = new Storage(sink);
+    const result = await storage.getTagHistory('tag1', 'js');
+    expect(result).toEqual([]);
+});
+
+test('addTagHistory()', async () => {
+    const sink = new Sink();
+    const storage = new Storage(sink);
+    await storage.addTagHistory('tag1', 'js', { hash: 'hash1' });
+    await storage.addTagHistory('tag1', 'js', { hash: 'hash2' });
+    const result = await storage.getTagHistory('tag1', 'js');
+    expect(result).toEqual([{ hash: 'hash1' }, { hash: 'hash2' }]);
+    expect(await storage.getTagHistory('tag1', 'css')).toEqual([]);
+});
+
 test('hasTag() - false', async () => {
     const sink = new Sink();
     const storage = new Storage(sink);
@@ -75,6 +92,26 @@ test('hasTags() - true', async () => {
     expect(result).toBe(true);
 });
 
+test('getAllTags() - no tags previously set', async () => {
+    const sink = new Sink();
+    const storage = new Storage(sink);
+    const result = await storage.getAllTags('js');
+    expect(result).toEqual([]);
+});
+
+test('getAllTags()', async () => {
+    const sink = new Sink();
+    const storage = new Storage(sink);
+    await sink.set('/tags/js/tag1.txt', 'hash1');
+    await sink.set('/tags/js/tag2.txt', 'hash2');
+    await sink.set('/tags/css/tag3.txt', 'hash3');
+    const result = await storage.getAllTags('js');
+    expect(result).toEqual([
+        { tag: 'tag1', hash: 'hash1' },
+        { tag: 'tag2', hash: 'hash2' },
+    ]);
+});
+
 test('setInstruction()', async () => {
     const sink = new Sink();
     const storage = new Storage(sink);
@@ -82,6 +119,24 @@ test('setInstruction()', async () => {
     expect(await sink.get('/instructions/js/tag.json')).toEqual('{}');
 });
 
+test('getInstruction()', async () => {
+    const sink = new Sink();
+    const storage = new Storage(sink);
+    await sink.set(
+        '/instructions/js/tag1.json',
+        JSON.stringify({ data: ['tag1'] }),
+    );
+    const result = await storage.getInstruction('tag1', 'js');
+    expect(result).toEqual({ data: ['tag1'] });
+});
+
+test('getInstruction() - no instruction previously set', async () => {
+    const sink = new Sink();
+    const storage = new Storage(sink);
+    const result = await storage.getInstruction('tag1', 'js');
+    expect(result).toBeNull();
+});
+
 test('getInstructions()', async () => {
     const sink = new Sink();
     const storage = new Storage(sink);
@@ -98,6 +153,25 @@ test('getInstructions()', async () => {
     expect(result).toHaveLength(2);
 });
 
+test('getAllInstructions()', async () => {
+    const sink = new Sink();
+    const storage = new Storage(sink);
+    await sink.set(
+        '/instructions/js/tag1.json',
+        JSON.stringify({ data: ['tag1'] }),
+    );
+    await sink.set('/instructions/js/tag2.json', JSON.stringify({ data: [] }));
+    const result = await storage.getAllInstructions('js');
+    expect(result).toEqual([{ data: ['tag1'] }, { data: [] }]);
+});
+
+test('getAllInstructions() - no instructions previously set', async () => {
+    const sink = new Sink();
+    const storage = new Storage(sink);
+    const result = await storage.getAllInstructions('js');
+    expect(result).toEqual([]);
+});
+
 test('getFeed()', async () => {
     const sink = new Sink();
     const storage = new Storage(sink);
@@ -141,3 +215,64 @@ test('hasBundle() - true', async () => {
     const result = await storage.hasBundle('hash1', 'js');
     expect(result).toBeTruthy();
 });
+
+test('getFiles()', async () => {
+    const sink = new Sink();
+    const storage = new Storage(sink);
+    sink.db['a1.json'] = '[]';
+    sink.db['b2.js'] = 'content';
+    sink.db['c3.css'] = 'content';
+    sink.db['/tags/js/tag1.txt'] = 'a1';
+    sink.db['notes.txt'] = 'content';
+    const result = await storage.getFiles();
+    expect(result).toEqual(['a1.json', 'b2.js', 'c3.css']);
+});
+
+test('getFiles() - no files', async () => {
+    const sink = new Sink();
+    const storage = new Storage(sink);
+    const result = await storage.getFiles();
+    expect(result).toEqual([]);
+});
+
+test('remove()', async () => {
+    const sink = new Sink();
+    sink.remove = async fileName => {
+        delete sink.db[fileName];
+    };
+    const storage = new Storage(sink);
+    sink.db['hash1.js'] = 'content';
+    await storage.remove('hash1.js');
+    expect(await storage.hasBundle('hash1', 'js')).toBe(false);
+});
+
+test('remove() - sink does not support removing files', async () => {
+    const sink = new Sink();
+    const storage = new Storage(sink);
+    sink.db['hash1.js'] = 'content';
+    await expect(storage.remove('hash1.js')).rejects.toThrow(
+        'The sink in use does not support removing files. Unable to remove "hash1.js".',
+    );
+});
+
+test('removeTag()', async () => {
+    const sink = new Sink();
+    sink.remove = async fileName => {
+        delete sink.db[fileName];
+    };
+    const storage = new Storage(sink);
+    await storage.setTag('tag1', 'js', 'hash1');
+    await storage.removeTag('tag1', 'js');
+    expect(await storage.hasTag('tag1', 'js')).toBe(false);
+});
+
+test('removeInstruction()', async () => {
+    const sink = new Sink();
+    sink.remove = async fileName => {
+        delete sink.db[fileName];
+    };
+    const storage = new Storage(sink);
+    await storage.setInstruction('tag1', 'js', { data: [] });
+    await storage.removeInstruction('tag1', 'js');
+    expect(await storage.getInstruction('tag1', 'js')).toBeNull();
+});